@@ -5,61 +5,88 @@ const readline = require('readline');
 
 // Configuration
 const SALT_ROUNDS = 12; // ~100ms/password
+const ROLES = ['viewer', 'moderator', 'admin'];
 
 const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout
 });
 
-async function generateHashes() {
-  const hashes = [];
-  
-  console.log('Enter passwords one at a time. Press Enter with an empty password to finish.\n');
-  
-  while (true) {
-    const password = await new Promise((resolve) => {
-      rl.question('Enter password: ', (answer) => {
-        resolve(answer);
-      });
+function ask(question) {
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      resolve(answer.trim());
     });
-    
-    // Empty password signals end of input
-    if (password === '') {
+  });
+}
+
+async function generateModerators() {
+  const moderators = [];
+
+  console.log('Enter moderator accounts one at a time. Press Enter with an empty username to finish.\n');
+
+  while (true) {
+    const username = await ask('Username: ');
+
+    // Empty username signals end of input
+    if (username === '') {
       break;
     }
-    
+
+    const displayName = await ask(`Display name (default "${username}"): `);
+    let role = await ask(`Role (${ROLES.join('/')}, default "moderator"): `);
+    if (role === '') {
+      role = 'moderator';
+    } else if (!ROLES.includes(role)) {
+      console.error(`Unknown role "${role}", skipping this account.\n`);
+      continue;
+    }
+    const password = await ask('Password: ');
+
+    if (password === '') {
+      console.error('Password cannot be empty, skipping this account.\n');
+      continue;
+    }
+
     try {
       console.log('Hashing password...');
-      const hash = await bcrypt.hash(password, SALT_ROUNDS);
-      hashes.push(hash);
-      console.log('✓ Password hashed successfully\n');
+      const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+      moderators.push({
+        username: username.toLowerCase(),
+        displayName: displayName || username,
+        passwordHash,
+        role,
+        enabled: true
+      });
+      console.log('✓ Account created successfully\n');
     } catch (error) {
       console.error(`Error hashing password: ${error.message}\n`);
     }
   }
-  
+
   rl.close();
-  
-  if (hashes.length === 0) {
-    console.log('No passwords were provided.');
+
+  if (moderators.length === 0) {
+    console.log('No accounts were provided.');
     return;
   }
-  
-  // Generate the LOGIN_HASHES string
-  const loginHashesValue = hashes.join('; ');
-  
+
+  // Generate the MODERATORS string
+  const moderatorsValue = JSON.stringify(moderators);
+
   console.log('\n' + '='.repeat(50));
-  console.log('Set your LOGIN_HASHES environment variable to:');
+  console.log('Set your MODERATORS environment variable to:');
   console.log('='.repeat(50));
-  console.log(loginHashesValue);
+  console.log(moderatorsValue);
   console.log('\n' + '='.repeat(50));
   console.log('Example usage:');
-  console.log(`export LOGIN_HASHES="${loginHashesValue}"`);
+  console.log(`export MODERATORS='${moderatorsValue}'`);
   console.log('='.repeat(50));
+  console.log('Accounts are added on the next server start if their username does not exist yet.');
 }
 
 // Run the script
-generateHashes().catch((error) => {
+generateModerators().catch((error) => {
   console.error('Script error:', error);
   process.exit(1);
 });
@@ -0,0 +1,54 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, moderatorsEnv, login } = require('./helpers/server');
+
+let server;
+let token;
+
+before(async () => {
+    server = await startServer({ env: { MODERATORS: moderatorsEnv(['alice']) } });
+    token = await login(server, 'alice');
+});
+
+after(() => server.stop());
+
+async function audit(query) {
+    const response = await server.request('GET', `/api/audit?${new URLSearchParams(query)}`, { token });
+    assert.strictEqual(response.status, 200);
+    return response.body.entries;
+}
+
+test('logins are recorded, failed ones too', async () => {
+    await server.request('POST', '/auth', { body: { username: 'alice', password: 'wrong' } });
+    const [failed] = await audit({ action: 'auth.login_failed' });
+    assert.strictEqual(failed.actor, 'alice');
+    assert.ok(failed.ip);
+    assert.ok((await audit({ action: 'auth' })).some(entry => entry.action === 'auth.login'));
+});
+
+test('decisions are recorded with the report before and after', async () => {
+    const { body: { report_id: reportId } } = await server.request('POST', '/report', { body: { target: 1, reporter: 2, context: 'spam', reason: 'spam' } });
+    await server.request('POST', '/api/action', { token, body: { reportId, action: 'denied', reason: 'Spam' } });
+
+    const [entry] = await audit({ subject: reportId });
+    assert.strictEqual(entry.action, 'report.denied');
+    assert.strictEqual(entry.actor, 'alice');
+    assert.strictEqual(entry.before.status, 'pending');
+    assert.strictEqual(entry.after.status, 'denied');
+});
+
+test('the configuration is recorded on every start, with what changed', async () => {
+    const [first] = await audit({ action: 'config.loaded' });
+    assert.strictEqual(first.before, null);
+    assert.strictEqual(first.after.sessionTtlHours, 12);
+
+    await server.stop({ keep: true });
+    server = await startServer({ dir: server.dir, env: { MODERATORS: moderatorsEnv(['alice']), SESSION_TTL_HOURS: '2' } });
+    token = await login(server, 'alice');
+
+    const [latest] = await audit({ action: 'config.loaded' });
+    assert.notStrictEqual(latest.id, first.id);
+    assert.strictEqual(latest.before.sessionTtlHours, 12);
+    assert.strictEqual(latest.after.sessionTtlHours, 2);
+    assert.match(server.output(), /Changed since the last start: sessionTtlHours/);
+});
@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, moderatorsEnv, login } = require('./helpers/server');
+
+let server;
+const tokens = {};
+
+before(async () => {
+    server = await startServer({ env: { MODERATORS: moderatorsEnv([{ username: 'alice', role: 'admin' }, 'bob']) } });
+    tokens.alice = await login(server, 'alice');
+    tokens.bob = await login(server, 'bob');
+});
+
+after(() => server.stop());
+
+async function approve(target) {
+    const { body: { report_id: reportId } } = await server.request('POST', '/report', { body: { target, reporter: 2, context: 'spam', reason: 'spam' } });
+    const response = await server.request('POST', '/api/action', { token: tokens.bob, body: { reportId, action: 'approved', reason: 'Spam' } });
+    assert.strictEqual(response.status, 200);
+    return reportId;
+}
+
+test('the ban list is served whole, with caching headers', async () => {
+    const reportId = await approve(600);
+
+    const { status, headers, body } = await server.request('GET', '/api/banlist');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.full, true);
+    assert.strictEqual(body.revision, 1);
+    const [entry] = body.banned_users;
+    assert.strictEqual(entry.report_id, reportId);
+    assert.strictEqual(entry.target_id, 600);
+    assert.strictEqual('actioned_by' in entry, false);
+    assert.strictEqual('section' in entry, false);
+
+    // fetch adds "Cache-Control: no-cache" to conditional requests unless one is given, and no-cache skips the 304
+    const cached = await server.request('GET', '/api/banlist', { headers: { 'If-None-Match': headers.get('etag'), 'Cache-Control': 'max-age=0' } });
+    assert.strictEqual(cached.status, 304);
+
+    const user = await server.request('GET', '/api/banlist/600');
+    assert.strictEqual(user.body.listed, true);
+    assert.deepStrictEqual(user.body.sections, ['banned_users']);
+    assert.strictEqual((await server.request('GET', '/api/banlist/601')).body.listed, false);
+    assert.strictEqual((await server.request('GET', '/api/banlist/abc')).status, 400);
+});
+
+test('since returns only what changed, including removals', async () => {
+    const { body: { revision } } = await server.request('GET', '/api/banlist');
+    const added = await approve(602);
+    const first = (await server.request('GET', '/api/banlist')).body.banned_users.find(entry => entry.target_id === 600);
+    const revoked = await server.request('POST', '/api/revoke', { token: tokens.alice, body: { reportId: first.report_id, reason: 'Appealed' } });
+    assert.strictEqual(revoked.status, 200);
+
+    const { body } = await server.request('GET', `/api/banlist?since=${revision}`);
+    assert.strictEqual(body.full, false);
+    assert.strictEqual(body.revision, revision + 2);
+    assert.deepStrictEqual(body.added.map(entry => [entry.report_id, entry.section]), [[added, 'banned_users']]);
+    assert.deepStrictEqual(body.removed.map(tombstone => [tombstone.report_id, tombstone.cause]), [[first.report_id, 'revoked']]);
+
+    assert.strictEqual((await server.request('GET', '/api/banlist?since=99')).body.full, true);
+    assert.strictEqual((await server.request('GET', '/api/banlist?since=-1')).status, 400);
+});
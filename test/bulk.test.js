@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, moderatorsEnv, login, waitFor } = require('./helpers/server');
+const { readGitHubFile, commits } = require('./helpers/fake-octokit');
+
+let server;
+let token;
+
+before(async () => {
+    server = await startServer({ github: true, env: { MODERATORS: moderatorsEnv(['bob']) } });
+    token = await login(server, 'bob');
+});
+
+after(() => server.stop());
+
+async function submit(target, reporter = 1) {
+    const response = await server.request('POST', '/report', { body: { target, reporter, context: 'spam', reason: 'spam' } });
+    return response.body.report_id;
+}
+
+function bulk(body) {
+    return server.request('POST', '/api/actions/bulk', { token, body });
+}
+
+test('bulk approvals make one ban list commit and report per-ID results', async () => {
+    const first = await submit(50);
+    const caseMate = await submit(50, 2);
+    const second = await submit(51);
+
+    const response = await bulk({ reportIds: [first, caseMate, second, 'missing'], action: 'approved', duration: '7d', reason: 'Spam' });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.success, false);
+    assert.deepStrictEqual(response.body.results.map(result => result.success), [true, true, true, false]);
+    assert.strictEqual(response.body.results[1].caseId, first);
+
+    const entries = await waitFor(() => readGitHubFile(server.githubFile)?.banned_users);
+    assert.strictEqual(commits(server.githubFile).length, 1);
+    assert.deepStrictEqual(entries.map(entry => entry.target_id), [50, 51]);
+    assert.ok(entries.every(entry => entry.expires_at && entry.actioned_by === undefined));
+});
+
+test('a bulk request where every ID fails answers 404', async () => {
+    const response = await bulk({ reportIds: ['missing', 'gone'], action: 'denied', reason: 'Spam' });
+    assert.strictEqual(response.status, 404);
+    assert.ok(response.body.results.every(result => result.error === 'Report not found!'));
+});
+
+test('invalid bulk requests are rejected', async () => {
+    const reportId = await submit(52);
+    for (const body of [
+        { reportIds: [], action: 'denied', reason: 'Spam' },
+        { reportIds: reportId, action: 'denied', reason: 'Spam' },
+        { reportIds: [reportId], action: 'banned', reason: 'Spam' },
+        { reportIds: [reportId], action: 'approved', duration: 'valueOf', reason: 'Spam' },
+        { reportIds: new Array(501).fill(reportId), action: 'denied', reason: 'Spam' }
+    ]) {
+        assert.strictEqual((await bulk(body)).status, 400, JSON.stringify(body).slice(0, 80));
+    }
+});
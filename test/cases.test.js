@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, moderatorsEnv, login, waitFor } = require('./helpers/server');
+const { readGitHubFile, commits } = require('./helpers/fake-octokit');
+
+let server;
+const tokens = {};
+
+before(async () => {
+    server = await startServer({ github: true, env: { MODERATORS: moderatorsEnv(['bob', { username: 'vera', role: 'viewer' }]) } });
+    tokens.bob = await login(server, 'bob');
+    tokens.vera = await login(server, 'vera');
+});
+
+after(() => server.stop());
+
+async function submit(target, reporter) {
+    const response = await server.request('POST', '/report', { body: { target, reporter, context: `rugged by ${target}`, reason: 'scam', fields: { coinSymbol: 'RUG' } } });
+    assert.strictEqual(response.status, 201);
+    return response.body;
+}
+
+test('reports against a target with an open case join that case', async () => {
+    const first = await submit(40, 1);
+    const second = await submit(40, 2);
+    await submit(41, 1);
+    assert.strictEqual(first.case_id, first.report_id);
+    assert.strictEqual(second.case_id, first.report_id);
+
+    const { body } = await server.request('GET', '/api/reports?scope=pending&group=case&target=40', { token: tokens.vera });
+    assert.strictEqual(body.items.length, 1);
+    assert.strictEqual(body.items[0].reporterCount, 2);
+    assert.deepStrictEqual(body.items[0].caseReports.map(report => report.id), [first.report_id, second.report_id]);
+    assert.ok(body.items[0].caseReports.every(report => report.ip === undefined));
+});
+
+test('actioning a case resolves every report in it with one ban list commit', async () => {
+    const { body: { items: [item] } } = await server.request('GET', '/api/reports?scope=pending&group=case&target=40', { token: tokens.bob });
+    const commitCount = commits(server.githubFile).length;
+
+    const response = await server.request('POST', '/api/action', { token: tokens.bob, body: { reportId: item.id, action: 'approved', reason: 'Spam' } });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.report_ids.length, 2);
+    await waitFor(() => commits(server.githubFile).length > commitCount);
+    assert.strictEqual(commits(server.githubFile).length, commitCount + 1);
+
+    const [entry] = readGitHubFile(server.githubFile).banned_users;
+    assert.strictEqual(entry.target_id, 40);
+    assert.deepStrictEqual(entry.reporter_ids, [1, 2]);
+    assert.deepStrictEqual(entry.report_ids, response.body.report_ids);
+
+    const pending = await server.request('GET', '/api/reports?scope=pending', { token: tokens.bob });
+    assert.deepStrictEqual(pending.body.items.map(report => report.target), [41]);
+});
+
+test('a new report against an actioned target opens a new case', async () => {
+    const next = await submit(40, 3);
+    assert.strictEqual(next.case_id, next.report_id);
+});
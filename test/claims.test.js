@@ -0,0 +1,82 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, moderatorsEnv, login, wait } = require('./helpers/server');
+
+let server;
+const tokens = {};
+
+before(async () => {
+    server = await startServer({
+        env: {
+            MODERATORS: moderatorsEnv([{ username: 'alice', role: 'admin' }, 'bob', 'carol']),
+            CLAIM_TIMEOUT_MINUTES: String(1 / 60) // one second
+        }
+    });
+    for (const username of ['alice', 'bob', 'carol']) {
+        tokens[username] = await login(server, username);
+    }
+});
+
+after(() => server.stop());
+
+async function submit(target) {
+    const response = await server.request('POST', '/report', { body: { target, reporter: 1, context: 'spam', reason: 'spam' } });
+    return response.body.report_id;
+}
+
+function claim(reportId, username) {
+    return server.request('POST', '/api/claims', { token: tokens[username], body: { reportId } });
+}
+
+function action(reportId, username, path = '/api/action') {
+    const body = path === '/api/action' ? { reportId, action: 'denied', reason: 'Spam' } : { reportIds: [reportId], action: 'denied', reason: 'Spam' };
+    return server.request('POST', path, { token: tokens[username], body });
+}
+
+test('a claimed case can only be actioned by its holder', async () => {
+    const reportId = await submit(100);
+    assert.strictEqual((await claim(reportId, 'bob')).status, 200);
+
+    const taken = await claim(reportId, 'carol');
+    assert.strictEqual(taken.status, 409);
+    assert.strictEqual(taken.body.claim.username, 'bob');
+    assert.strictEqual((await action(reportId, 'carol')).status, 409);
+
+    const bulk = await action(reportId, 'carol', '/api/actions/bulk');
+    assert.strictEqual(bulk.status, 409);
+    assert.match(bulk.body.results[0].error, /claimed by bob/);
+
+    assert.strictEqual((await action(reportId, 'bob')).status, 200);
+});
+
+test('claims lapse after CLAIM_TIMEOUT_MINUTES', async () => {
+    const reportId = await submit(101);
+    assert.strictEqual((await claim(reportId, 'bob')).status, 200);
+    await wait(1100);
+    assert.strictEqual((await claim(reportId, 'carol')).status, 200);
+});
+
+test('admin assignments do not lapse, and only the holder or an admin can release them', async () => {
+    const reportId = await submit(102);
+    const assigned = await server.request('POST', '/api/claims/assign', { token: tokens.alice, body: { reportId, username: 'bob' } });
+    assert.strictEqual(assigned.status, 200);
+    assert.strictEqual(assigned.body.claim.expiresAt, null);
+
+    await wait(1100);
+    assert.strictEqual((await claim(reportId, 'carol')).status, 409);
+    assert.strictEqual((await server.request('DELETE', `/api/claims/${reportId}`, { token: tokens.carol })).status, 403);
+    assert.strictEqual((await server.request('DELETE', `/api/claims/${reportId}`, { token: tokens.bob })).status, 200);
+    assert.strictEqual((await claim(reportId, 'carol')).status, 200);
+});
+
+test('disabling an account releases the cases it holds', async () => {
+    const reportId = await submit(103);
+    await server.request('POST', '/api/claims/assign', { token: tokens.alice, body: { reportId, username: 'carol' } });
+
+    const disabled = await server.request('PATCH', '/api/moderators/carol', { token: tokens.alice, body: { enabled: false } });
+    assert.strictEqual(disabled.status, 200);
+    assert.strictEqual((await claim(reportId, 'bob')).status, 200);
+
+    const { body: { entries } } = await server.request('GET', '/api/audit?action=claim.released', { token: tokens.alice });
+    assert.ok(entries.some(entry => entry.subject === reportId && entry.before.username === 'carol'));
+});
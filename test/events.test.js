@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, moderatorsEnv, login, wait } = require('./helpers/server');
+
+let server;
+const tokens = {};
+
+before(async () => {
+    server = await startServer({
+        env: { MODERATORS: moderatorsEnv(['bob', { username: 'vera', role: 'viewer' }]) }
+    });
+    for (const username of ['bob', 'vera']) {
+        tokens[username] = await login(server, username);
+    }
+});
+
+after(() => server.stop());
+
+// Opens /api/events and collects every event it receives as { type, data }
+async function openEvents(token) {
+    const controller = new AbortController();
+    const response = await fetch(`${server.url}/api/events`, { headers: { Authorization: `Bearer ${token}` }, signal: controller.signal });
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    const events = [];
+    const decoder = new TextDecoder();
+    let buffered = '';
+    (async () => {
+        for await (const chunk of response.body) {
+            buffered += decoder.decode(chunk, { stream: true });
+            let end;
+            while ((end = buffered.indexOf('\n\n')) !== -1) {
+                const message = buffered.slice(0, end);
+                buffered = buffered.slice(end + 2);
+                const type = /^event: (.*)$/m.exec(message);
+                const data = /^data: (.*)$/m.exec(message);
+                if (type && data) events.push({ type: type[1], data: JSON.parse(data[1]) });
+            }
+        }
+    })().catch(() => {});
+    return { events, close: () => controller.abort() };
+}
+
+test('report events reach every dashboard, without moderator-only fields for viewers', async () => {
+    const bob = await openEvents(tokens.bob);
+    const vera = await openEvents(tokens.vera);
+
+    const { body: { report_id } } = await server.request('POST', '/report', { body: { target: 300, reporter: 1, context: 'spam', reason: 'spam' } });
+    await server.request('POST', `/api/reports/${report_id}/notes`, { token: tokens.bob, body: { text: 'Looks real' } });
+    await server.request('POST', '/api/claims', { token: tokens.bob, body: { reportId: report_id } });
+    await wait(200);
+    bob.close();
+    vera.close();
+
+    const created = stream => stream.events.find(event => event.type === 'report.created');
+    assert.strictEqual(created(bob).data.items[0].id, report_id);
+    assert.ok('ip' in created(bob).data.items[0]);
+    assert.strictEqual(created(vera).data.items[0].id, report_id);
+    assert.strictEqual('ip' in created(vera).data.items[0], false);
+    assert.strictEqual('ip' in created(vera).data.items[0].caseReports[0], false);
+
+    assert.strictEqual(bob.events.filter(event => event.type === 'note').length, 1);
+    assert.strictEqual(vera.events.filter(event => event.type === 'note').length, 0);
+    assert.strictEqual(vera.events.find(event => event.type === 'claim').data.claim.username, 'bob');
+});
+
+test('the stream needs a session', async () => {
+    const response = await server.request('GET', '/api/events');
+    assert.strictEqual(response.status, 401);
+});
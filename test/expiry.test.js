@@ -0,0 +1,62 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, moderatorsEnv, login, wait, waitFor } = require('./helpers/server');
+const { readGitHubFile, editGitHubFile } = require('./helpers/fake-octokit');
+
+const env = { MODERATORS: moderatorsEnv(['bob']) };
+const servers = [];
+
+after(() => Promise.all(servers.map(server => server.stop())));
+
+async function start(options) {
+    const server = await startServer({ github: true, env, ...options });
+    servers.push(server);
+    return server;
+}
+
+test('approvals take a ban duration, and only a known one', async () => {
+    const server = await start();
+    const token = await login(server, 'bob');
+    const submit = async () => (await server.request('POST', '/report', { body: { target: 1, reporter: 2, context: 'scam', reason: 'scam', fields: { coinSymbol: 'RUG' } } })).body.report_id;
+
+    const reportId = await submit();
+    for (const duration of ['toString', 'constructor', '1y']) {
+        const response = await server.request('POST', '/api/action', { token, body: { reportId, action: 'approved', duration, reason: 'Spam' } });
+        assert.strictEqual(response.status, 400, duration);
+    }
+
+    const approved = await server.request('POST', '/api/action', { token, body: { reportId, action: 'approved', duration: '24h', reason: 'Spam' } });
+    assert.strictEqual(approved.status, 200);
+    const [entry] = await waitFor(() => readGitHubFile(server.githubFile)?.banned_users);
+    const length = Date.parse(entry.expires_at) - Date.now();
+    assert.ok(length > 23.9 * 3600 * 1000 && length <= 24 * 3600 * 1000, entry.expires_at);
+});
+
+test('bans that ran out while the server was down are lifted on startup', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brpreports-test-'));
+    const expiresAt = new Date(Date.now() - 60 * 1000).toISOString();
+    const report = {
+        id: 'r1', target: 5, reporter: 6, context: 'scam', reason: 'scam', timestamp: expiresAt,
+        status: 'approved', actionedAt: expiresAt, banDuration: '24h', banExpiresAt: expiresAt
+    };
+    fs.mkdirSync(path.join(dir, 'data'));
+    const permanent = { ...report, id: 'r2', target: 7, banDuration: 'permanent', banExpiresAt: null };
+    fs.writeFileSync(path.join(dir, 'data', 'reports.json'), JSON.stringify({ reports: [], actionedReports: [report, permanent] }));
+    editGitHubFile(path.join(dir, 'github.json'), {
+        banned_users: [{ target_id: 5, reporter_id: 6, report_id: 'r1', expires_at: expiresAt }, { target_id: 7, report_id: 'r2', expires_at: null }]
+    });
+
+    const server = await start({ dir });
+    const token = await login(server, 'bob');
+    let lifted;
+    for (let attempt = 0; attempt < 50 && !lifted; attempt++) {
+        const { body: { items } } = await server.request('GET', '/api/reports?scope=actioned', { token });
+        lifted = items.find(item => item.id === 'r1').banExpiredAt;
+        if (!lifted) await wait(100);
+    }
+    assert.ok(lifted, 'the report was not marked as expired');
+    assert.deepStrictEqual(readGitHubFile(server.githubFile).banned_users.map(entry => entry.report_id), ['r2']);
+});
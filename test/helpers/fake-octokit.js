@@ -0,0 +1,97 @@
+// Stands in for @octokit/rest in a server started with `-r` and FAKE_GITHUB_FILE set. The ban list file lives
+// in FAKE_GITHUB_FILE as { sha, content, commits, conflicts, failures }; tests edit it to change the file by hand,
+// or set `conflicts` (with `conflictStatus`) or `failures` to make that many of the next commits fail.
+const fs = require('fs');
+const Module = require('module');
+
+function readState(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return { sha: null, content: null, commits: [] };
+    }
+}
+
+function writeState(file, state) {
+    fs.writeFileSync(file, JSON.stringify(state, null, 2));
+}
+
+function newSha() {
+    return require('crypto').randomBytes(20).toString('hex');
+}
+
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// The parsed ban list file, or null if there is none
+function readGitHubFile(file) {
+    const { content } = readState(file);
+    return content === null ? null : JSON.parse(content);
+}
+
+// Replaces the file as someone editing it on GitHub would
+function editGitHubFile(file, data) {
+    const state = readState(file);
+    writeState(file, { ...state, sha: newSha(), content: JSON.stringify(data, null, 2) });
+}
+
+// Changes the file's other settings, e.g. { conflicts: 2 }
+function setGitHubState(file, changes) {
+    writeState(file, { ...readState(file), ...changes });
+}
+
+function commits(file) {
+    return readState(file).commits;
+}
+
+class Octokit {
+    constructor() {
+        const file = process.env.FAKE_GITHUB_FILE;
+        this.rest = {
+            repos: {
+                async getContent() {
+                    const { sha, content } = readState(file);
+                    if (content === null) {
+                        throw httpError(404, 'Not Found');
+                    }
+                    return { data: { sha, content: Buffer.from(content).toString('base64') } };
+                },
+                async createOrUpdateFileContents({ message, content, sha }) {
+                    const state = readState(file);
+                    if (state.failures > 0) {
+                        writeState(file, { ...state, failures: state.failures - 1 });
+                        throw httpError(500, 'Server Error');
+                    }
+                    if (state.conflicts > 0) {
+                        writeState(file, { ...state, conflicts: state.conflicts - 1 });
+                        throw httpError(state.conflictStatus || 409, 'Conflict');
+                    }
+                    if ((sha || null) !== state.sha) {
+                        throw httpError(409, `${sha} does not match ${state.sha}`);
+                    }
+
+                    const next = newSha();
+                    writeState(file, {
+                        ...state,
+                        sha: next,
+                        content: Buffer.from(content, 'base64').toString(),
+                        commits: [...(state.commits || []), { message, sha: next }]
+                    });
+                    return { data: { content: { sha: next }, commit: { sha: newSha() } } };
+                }
+            }
+        };
+    }
+}
+
+if (process.env.FAKE_GITHUB_FILE) {
+    const load = Module._load;
+    Module._load = function (request, ...rest) {
+        return request === '@octokit/rest' ? { Octokit } : load.call(this, request, ...rest);
+    };
+}
+
+module.exports = { readGitHubFile, editGitHubFile, setGitHubState, commits };
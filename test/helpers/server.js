@@ -0,0 +1,143 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcrypt');
+
+const SERVER = path.join(__dirname, '..', '..', 'index.js');
+
+// A port nothing is listening on right now
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.unref();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Starts index.js in a child process with its own working directory and data files, so no .env or data from the
+// checkout is picked up. Only PATH is passed on from this process; `env` sets everything else.
+// With `github` set, GitHub is enabled and served by fake-octokit.js from `githubFile`. Queued ban list changes
+// are published straight away unless BANLIST_PUBLISH_DELAY_MS is given. Resolves once it is listening.
+async function startServer({ env = {}, github = false, dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brpreports-test-')) } = {}) {
+    const port = await freePort();
+    const githubFile = path.join(dir, 'github.json');
+    const preload = github ? ['-r', path.join(__dirname, 'fake-octokit.js')] : [];
+    const child = spawn(process.execPath, [...preload, SERVER], {
+        cwd: dir,
+        env: {
+            PATH: process.env.PATH,
+            PORT: String(port),
+            DATA_FILE: path.join(dir, 'data', 'reports.json'),
+            AUDIT_FILE: path.join(dir, 'data', 'audit.jsonl'),
+            BANLIST_PUBLISH_DELAY_MS: '0',
+            ...(github && { GITHUB_ENABLED: 'true', GITHUB_TOKEN: 'test', FAKE_GITHUB_FILE: githubFile }),
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 10 * 1000);
+        const check = () => {
+            if (output.includes('running on port')) {
+                clearTimeout(timer);
+                child.stdout.off('data', check);
+                resolve();
+            }
+        };
+        child.stdout.on('data', check);
+        child.on('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n${output}`));
+        });
+    });
+
+    const url = `http://127.0.0.1:${port}`;
+    return {
+        url,
+        dir,
+        githubFile,
+        output: () => output,
+
+        // Sends a request and resolves to { status, headers, body }, with the body parsed when it is JSON
+        async request(method, route, { token, body, headers = {} } = {}) {
+            const response = await fetch(url + route, {
+                method,
+                redirect: 'manual',
+                headers: {
+                    ...(body !== undefined && { 'Content-Type': 'application/json' }),
+                    ...(token && { Authorization: `Bearer ${token}` }),
+                    ...headers
+                },
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+            const text = await response.text();
+            let parsed = text;
+            try {
+                parsed = JSON.parse(text);
+            } catch (error) {
+                // Not JSON, keep the text
+            }
+            return { status: response.status, headers: response.headers, body: parsed };
+        },
+
+        // Stops the server and removes its directory, unless `keep` is set to start another server on it
+        async stop({ keep = false } = {}) {
+            if (child.exitCode === null) {
+                await new Promise(resolve => {
+                    child.removeAllListeners('exit');
+                    child.on('exit', () => resolve());
+                    child.kill();
+                });
+            }
+            if (!keep) {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        }
+    };
+}
+
+const PASSWORD = 'letmein';
+const PASSWORD_HASH = bcrypt.hashSync(PASSWORD, 4);
+
+// MODERATORS for the given accounts, all with PASSWORD. An account is a username or { username, role }.
+function moderatorsEnv(accounts) {
+    return JSON.stringify(accounts.map(account => ({
+        ...(typeof account === 'string' ? { username: account } : account),
+        passwordHash: PASSWORD_HASH
+    })));
+}
+
+// Logs in and resolves to the session token
+async function login(server, username, password = PASSWORD) {
+    const response = await server.request('POST', '/auth', { body: { username, password } });
+    if (response.status !== 200) {
+        throw new Error(`Login as ${username} failed: ${JSON.stringify(response.body)}`);
+    }
+    return response.body.token;
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Polls `check` until it returns something truthy and resolves to that, for work the server finishes in the background
+async function waitFor(check, timeout = 5000) {
+    const giveUp = Date.now() + timeout;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > giveUp) throw new Error(`Timed out waiting for ${check}`);
+        await wait(50);
+    }
+}
+
+module.exports = { startServer, moderatorsEnv, login, PASSWORD, wait, waitFor };
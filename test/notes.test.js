@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, moderatorsEnv, login } = require('./helpers/server');
+
+let server;
+const tokens = {};
+
+before(async () => {
+    server = await startServer({
+        env: { MODERATORS: moderatorsEnv(['bob', { username: 'vera', role: 'viewer' }]) }
+    });
+    for (const username of ['bob', 'vera']) {
+        tokens[username] = await login(server, username);
+    }
+});
+
+after(() => server.stop());
+
+async function submit(target) {
+    const response = await server.request('POST', '/report', { body: { target, reporter: 1, context: 'spam', reason: 'spam' } });
+    return response.body.report_id;
+}
+
+function findReport(reportId, username, scope = 'pending') {
+    return server.request('GET', `/api/reports?scope=${scope}`, { token: tokens[username] })
+        .then(({ body }) => body.items.find(r => r.id === reportId));
+}
+
+test('moderators add notes, and viewers neither add nor see them', async () => {
+    const reportId = await submit(200);
+
+    const added = await server.request('POST', `/api/reports/${reportId}/notes`, { token: tokens.bob, body: { text: '  Checked the logs  ' } });
+    assert.strictEqual(added.status, 201);
+    assert.strictEqual(added.body.note.text, 'Checked the logs');
+    assert.strictEqual(added.body.note.author.username, 'bob');
+
+    assert.strictEqual((await server.request('POST', `/api/reports/${reportId}/notes`, { token: tokens.bob, body: { text: '   ' } })).status, 400);
+    assert.strictEqual((await server.request('POST', `/api/reports/${reportId}/notes`, { token: tokens.bob, body: { text: 'x'.repeat(2001) } })).status, 400);
+    assert.strictEqual((await server.request('POST', '/api/reports/missing/notes', { token: tokens.bob, body: { text: 'hi' } })).status, 404);
+    assert.strictEqual((await server.request('POST', `/api/reports/${reportId}/notes`, { token: tokens.vera, body: { text: 'hi' } })).status, 403);
+
+    assert.deepStrictEqual((await findReport(reportId, 'bob')).notes.map(note => note.text), ['Checked the logs']);
+    assert.strictEqual((await findReport(reportId, 'vera')).notes, undefined);
+});
+
+test('decisions need a reason, which is stored on the report', async () => {
+    const reportId = await submit(201);
+
+    for (const reason of [undefined, '  ', 'x'.repeat(501)]) {
+        const rejected = await server.request('POST', '/api/action', { token: tokens.bob, body: { reportId, action: 'denied', reason } });
+        assert.strictEqual(rejected.status, 400);
+    }
+    const bulk = await server.request('POST', '/api/actions/bulk', { token: tokens.bob, body: { reportIds: [reportId], action: 'denied' } });
+    assert.strictEqual(bulk.status, 400);
+
+    const actioned = await server.request('POST', '/api/action', { token: tokens.bob, body: { reportId, action: 'denied', reason: ' Not spam ' } });
+    assert.strictEqual(actioned.status, 200);
+    assert.strictEqual((await findReport(reportId, 'bob', 'actioned')).decisionReason, 'Not spam');
+});
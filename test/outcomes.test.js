@@ -0,0 +1,53 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, moderatorsEnv, login, waitFor } = require('./helpers/server');
+const { readGitHubFile } = require('./helpers/fake-octokit');
+
+let server;
+let token;
+
+before(async () => {
+    server = await startServer({ github: true, env: { MODERATORS: moderatorsEnv(['bob']) } });
+    token = await login(server, 'bob');
+});
+
+after(() => server.stop());
+
+async function submit(target) {
+    const response = await server.request('POST', '/report', { body: { target, reporter: 2, context: 'spam', reason: 'spam' } });
+    return response.body.report_id;
+}
+
+function action(reportId, outcome) {
+    return server.request('POST', '/api/action', { token, body: { reportId, action: outcome, reason: 'Spam' } });
+}
+
+test('each outcome publishes to its own section of the ban list', async () => {
+    assert.strictEqual((await action(await submit(10), 'warned')).status, 200);
+    assert.strictEqual((await action(await submit(11), 'flagged')).status, 200);
+
+    const file = await waitFor(() => {
+        const current = readGitHubFile(server.githubFile);
+        return current && current.warned_users.length > 0 && current.flagged_users.length > 0 && current;
+    });
+    assert.deepStrictEqual(file.warned_users.map(entry => entry.target_id), [10]);
+    assert.deepStrictEqual(file.flagged_users.map(entry => entry.target_id), [11]);
+    assert.deepStrictEqual(file.banned_users, []);
+});
+
+test('dismissing a report publishes nothing', async () => {
+    const reportId = await submit(12);
+    const before = readGitHubFile(server.githubFile);
+    assert.strictEqual((await action(reportId, 'denied')).status, 200);
+    assert.deepStrictEqual(readGitHubFile(server.githubFile), before);
+
+    const { body: { items } } = await server.request('GET', '/api/reports?scope=actioned', { token });
+    assert.strictEqual(items.find(report => report.id === reportId).status, 'denied');
+});
+
+test('unknown outcomes are rejected', async () => {
+    const reportId = await submit(13);
+    for (const outcome of ['pending', 'revoked', 'banned', 'toString']) {
+        assert.strictEqual((await action(reportId, outcome)).status, 400, outcome);
+    }
+});
@@ -0,0 +1,44 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, moderatorsEnv, login } = require('./helpers/server');
+
+const env = { MODERATORS: moderatorsEnv(['alice']) };
+let server;
+
+after(() => server && server.stop());
+
+async function pendingReports() {
+    const token = await login(server, 'alice');
+    const response = await server.request('GET', '/api/reports?scope=pending', { token });
+    return response.body.items;
+}
+
+test('reports survive a restart', async () => {
+    server = await startServer({ env });
+    const submitted = await server.request('POST', '/report', { body: { target: 1, reporter: 2, context: 'spam', reason: 'spam' } });
+    assert.strictEqual(submitted.status, 201);
+
+    await server.stop({ keep: true });
+    server = await startServer({ env, dir: server.dir });
+    const pending = await pendingReports();
+    assert.deepStrictEqual(pending.map(report => report.id), [submitted.body.report_id]);
+});
+
+test('a report that could not be saved is answered with a 500', async () => {
+    // A directory in the way of the data file makes the rename at the end of every save fail
+    const dataFile = path.join(server.dir, 'data', 'reports.json');
+    fs.rmSync(dataFile);
+    fs.mkdirSync(path.join(dataFile, 'blocked'), { recursive: true });
+
+    const failed = await server.request('POST', '/report', { body: { target: 3, reporter: 4, context: 'spam', reason: 'spam' } });
+    assert.strictEqual(failed.status, 500);
+    assert.strictEqual(failed.body.report_id, undefined);
+
+    // Later saves still go through once the file can be written again
+    fs.rmSync(dataFile, { recursive: true });
+    const saved = await server.request('POST', '/report', { body: { target: 5, reporter: 6, context: 'spam', reason: 'spam' } });
+    assert.strictEqual(saved.status, 201);
+    assert.ok(fs.existsSync(dataFile));
+});
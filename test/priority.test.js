@@ -0,0 +1,64 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, moderatorsEnv, login } = require('./helpers/server');
+
+let server;
+const tokens = {};
+
+before(async () => {
+    server = await startServer({
+        env: {
+            MODERATORS: moderatorsEnv(['bob', { username: 'vera', role: 'viewer' }]),
+            SLA_MINUTES: JSON.stringify({ urgent: 0 }),
+            REASON_PRIORITIES: JSON.stringify({ phishing: 'urgent' })
+        }
+    });
+    for (const username of ['bob', 'vera']) {
+        tokens[username] = await login(server, username);
+    }
+});
+
+after(() => server.stop());
+
+async function submit(target, reason) {
+    const response = await server.request('POST', '/report', { body: { target, reporter: 1, context: 'spam', reason } });
+    return response.body.report_id;
+}
+
+async function pending(query = '') {
+    const { body } = await server.request('GET', `/api/reports?scope=pending${query}`, { token: tokens.bob });
+    return body.items;
+}
+
+test('priority comes from the reason, and urgency sorts the queue', async () => {
+    const normal = await submit(400, 'spam');
+    const high = await submit(401, 'This is a SCAM');
+    const urgent = await submit(402, 'phishing link');
+
+    const items = await pending('&sort=urgency&order=desc');
+    assert.deepStrictEqual(items.map(item => item.id), [urgent, high, normal]);
+    assert.deepStrictEqual(items.map(item => item.priority), ['urgent', 'high', 'normal']);
+
+    const [urgentItem, highItem] = items;
+    assert.strictEqual(urgentItem.sla.overdue, true);
+    assert.strictEqual(highItem.sla.overdue, false);
+    assert.strictEqual(Date.parse(highItem.sla.dueAt) - Date.parse(highItem.sla.openedAt), 4 * 60 * 60 * 1000);
+});
+
+test('moderators change a case priority, which moves its SLA', async () => {
+    const reportId = await submit(403, 'spam');
+
+    const invalid = await server.request('PATCH', `/api/reports/${reportId}/priority`, { token: tokens.bob, body: { priority: 'toString' } });
+    assert.strictEqual(invalid.status, 400);
+    const viewer = await server.request('PATCH', `/api/reports/${reportId}/priority`, { token: tokens.vera, body: { priority: 'low' } });
+    assert.strictEqual(viewer.status, 403);
+    const missing = await server.request('PATCH', '/api/reports/missing/priority', { token: tokens.bob, body: { priority: 'low' } });
+    assert.strictEqual(missing.status, 404);
+
+    const changed = await server.request('PATCH', `/api/reports/${reportId}/priority`, { token: tokens.bob, body: { priority: 'urgent' } });
+    assert.strictEqual(changed.status, 200);
+    const item = (await pending()).find(r => r.id === reportId);
+    assert.strictEqual(item.priority, 'urgent');
+    assert.strictEqual(item.sla.dueAt, changed.body.sla.dueAt);
+    assert.strictEqual(item.sla.overdue, true);
+});
@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, moderatorsEnv, login, waitFor } = require('./helpers/server');
+const { readGitHubFile, setGitHubState, commits } = require('./helpers/fake-octokit');
+
+let server;
+let token;
+
+before(async () => {
+    server = await startServer({
+        github: true,
+        env: { MODERATORS: moderatorsEnv(['bob']), BANLIST_PUBLISH_DELAY_MS: '300' }
+    });
+    token = await login(server, 'bob');
+});
+
+after(() => server.stop());
+
+async function approve(target) {
+    const { body: { report_id: reportId } } = await server.request('POST', '/report', { body: { target, reporter: 1, context: 'spam', reason: 'spam' } });
+    const response = await server.request('POST', '/api/action', { token, body: { reportId, action: 'approved', reason: 'Spam' } });
+    assert.strictEqual(response.status, 200);
+    return reportId;
+}
+
+async function syncOf(reportId) {
+    const { body: { items } } = await server.request('GET', '/api/reports?scope=actioned', { token });
+    return items.find(item => item.id === reportId).sync;
+}
+
+function settled(reportId) {
+    return waitFor(async () => {
+        const sync = await syncOf(reportId);
+        return sync.status !== 'queued' && sync;
+    });
+}
+
+test('changes made while one waits go out in the same commit', async () => {
+    const first = await approve(800);
+    const second = await approve(801);
+    assert.strictEqual((await syncOf(first)).status, 'queued');
+
+    assert.strictEqual((await settled(second)).status, 'synced');
+    assert.strictEqual((await settled(first)).status, 'synced');
+    const [commit] = commits(server.githubFile);
+    assert.strictEqual(commits(server.githubFile).length, 1);
+    assert.match(commit.message, /^Update ban list \(2 changes\)/);
+    assert.deepStrictEqual(readGitHubFile(server.githubFile).banned_users.map(entry => entry.report_id), [first, second]);
+});
+
+test('a commit the file moved on from (409/422) is retried', async () => {
+    setGitHubState(server.githubFile, { conflicts: 2, conflictStatus: 422 });
+    const reportId = await approve(802);
+
+    assert.strictEqual((await settled(reportId)).status, 'synced');
+    assert.strictEqual(commits(server.githubFile).length, 2);
+    assert.ok(readGitHubFile(server.githubFile).banned_users.some(entry => entry.report_id === reportId));
+});
+
+test('a failed commit is kept on the reports and can be retried', async () => {
+    setGitHubState(server.githubFile, { failures: 1 });
+    const reportId = await approve(803);
+
+    const failed = await settled(reportId);
+    assert.strictEqual(failed.status, 'failed');
+    assert.strictEqual(failed.error, 'GitHub: Server Error');
+
+    const retried = await server.request('POST', `/api/reports/${reportId}/sync`, { token });
+    assert.strictEqual(retried.status, 200);
+    assert.strictEqual((await settled(reportId)).status, 'synced');
+    assert.ok(readGitHubFile(server.githubFile).banned_users.some(entry => entry.report_id === reportId));
+    assert.strictEqual((await server.request('POST', `/api/reports/${reportId}/sync`, { token })).status, 409);
+});
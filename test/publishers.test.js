@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { startServer, moderatorsEnv, login, waitFor } = require('./helpers/server');
+
+const gitRepo = fs.mkdtempSync(path.join(os.tmpdir(), 'brpreports-git-'));
+const banListFile = path.join(gitRepo, '..', `${path.basename(gitRepo)}.json`);
+const received = [];
+let endpointStatus = 200;
+let endpoint;
+let server;
+let token;
+
+before(async () => {
+    execFileSync('git', ['init', '-q', gitRepo]);
+    endpoint = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ method: req.method, authorization: req.headers.authorization, body });
+            res.statusCode = endpointStatus;
+            res.end();
+        });
+    });
+    await new Promise(resolve => endpoint.listen(0, '127.0.0.1', resolve));
+
+    server = await startServer({
+        env: {
+            MODERATORS: moderatorsEnv([{ username: 'alice', role: 'admin' }]),
+            BANLIST_FILE: banListFile,
+            BANLIST_HTTP_URL: `http://127.0.0.1:${endpoint.address().port}/banlist`,
+            BANLIST_HTTP_HEADERS: JSON.stringify({ Authorization: 'Bearer secret' }),
+            BANLIST_GIT_REPO: gitRepo
+        }
+    });
+    token = await login(server, 'alice');
+});
+
+after(async () => {
+    await server.stop();
+    await new Promise(resolve => endpoint.close(resolve));
+    fs.rmSync(gitRepo, { recursive: true, force: true });
+    fs.rmSync(banListFile, { force: true });
+});
+
+async function approve(target) {
+    const { body: { report_id: reportId } } = await server.request('POST', '/report', { body: { target, reporter: 1, context: 'spam', reason: 'spam' } });
+    const response = await server.request('POST', '/api/action', { token, body: { reportId, action: 'approved', reason: 'Spam' } });
+    assert.strictEqual(response.status, 200);
+    return reportId;
+}
+
+function settled(reportId) {
+    return waitFor(async () => {
+        const { body: { items } } = await server.request('GET', '/api/reports?scope=actioned', { token });
+        const { sync } = items.find(item => item.id === reportId);
+        return sync.status !== 'queued' && sync;
+    });
+}
+
+test('every publisher gets the whole list', async () => {
+    const reportId = await approve(900);
+    assert.strictEqual((await settled(reportId)).status, 'synced');
+
+    const content = fs.readFileSync(banListFile, 'utf8');
+    assert.deepStrictEqual(JSON.parse(content).banned_users.map(entry => entry.report_id), [reportId]);
+    const { method, authorization, body } = received[received.length - 1];
+    assert.deepStrictEqual([method, authorization, body], ['PUT', 'Bearer secret', content]);
+    assert.strictEqual(fs.readFileSync(path.join(gitRepo, 'reportsystem.json'), 'utf8'), content);
+    assert.match(execFileSync('git', ['-C', gitRepo, 'log', '--format=%s'], { encoding: 'utf8' }), new RegExp(`Report ${reportId}`));
+});
+
+test('a failing publisher fails the change, and its health is shown to admins', async () => {
+    endpointStatus = 503;
+    const reportId = await approve(901);
+    const sync = await settled(reportId);
+    assert.strictEqual(sync.status, 'failed');
+    assert.match(sync.error, /^HTTP endpoint: PUT answered 503/);
+    assert.ok(fs.readFileSync(banListFile, 'utf8').includes(reportId), 'the other publishers still published');
+
+    const { body } = await server.request('GET', '/api/publishers', { token });
+    const byId = Object.fromEntries(body.publishers.map(publisher => [publisher.id, publisher]));
+    assert.deepStrictEqual(Object.keys(byId), ['file', 'http', 'git']);
+    assert.strictEqual(byId.http.status, 'failing');
+    assert.strictEqual(byId.file.status, 'ok');
+    assert.strictEqual(byId.http.target, `PUT http://127.0.0.1:${endpoint.address().port}/banlist`);
+});
@@ -0,0 +1,39 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, moderatorsEnv, login } = require('./helpers/server');
+
+let server;
+let token;
+
+before(async () => {
+    server = await startServer({ env: { MODERATORS: moderatorsEnv(['bob']) } });
+    token = await login(server, 'bob');
+});
+
+after(() => server.stop());
+
+function submit(reason, fields) {
+    return server.request('POST', '/report', { body: { target: 500, reporter: 1, context: 'spam', reason, fields } });
+}
+
+test('reason categories are public', async () => {
+    const { status, body } = await server.request('GET', '/api/reasons');
+    assert.strictEqual(status, 200);
+    const scam = body.reasons.find(reason => reason.id === 'scam');
+    assert.deepStrictEqual(scam.fields.map(field => [field.id, field.type, field.required]), [['coinSymbol', 'coin', true], ['transactionId', 'text', false]]);
+});
+
+test('structured fields are checked against the category and stored cleaned', async () => {
+    assert.match((await submit('scam')).body.error, /Coin symbol is required/);
+    assert.match((await submit('harassment', { coinSymbol: 'ABC' })).body.error, /Unknown field/);
+    assert.match((await submit('spam', { coinSymbol: 'ABC' })).body.error, /free-text reason/);
+    assert.match((await submit('impersonation', { impersonatedUser: 'abc' })).body.error, /must be a user ID/);
+
+    const accepted = await submit('scam', { coinSymbol: ' abc1 ', transactionId: ' tx ' });
+    assert.strictEqual(accepted.status, 201);
+    const { body: { items } } = await server.request('GET', '/api/reports?scope=pending', { token });
+    const report = items.find(item => item.id === accepted.body.report_id);
+    assert.strictEqual(report.category, 'scam');
+    assert.strictEqual(report.priority, 'high');
+    assert.deepStrictEqual(report.fields, { coinSymbol: 'ABC1', transactionId: 'tx' });
+});
@@ -0,0 +1,109 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, moderatorsEnv, login, waitFor } = require('./helpers/server');
+const { readGitHubFile, editGitHubFile, commits } = require('./helpers/fake-octokit');
+
+let server;
+let token;
+let heldReportId;
+
+const actionedAt = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+const approved = (id, target) => ({ id, target, reporter: 2, context: 'spam', reason: 'spam', timestamp: actionedAt, status: 'approved', actionedAt });
+const entry = (reportId, target) => ({ target_id: target, reporter_id: 2, reason: 'spam', report_id: reportId });
+
+before(async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brpreports-test-'));
+    fs.mkdirSync(path.join(dir, 'data'));
+    const revoked = { ...approved('r3', 30), status: 'revoked', revokedOutcome: 'approved' };
+    fs.writeFileSync(path.join(dir, 'data', 'reports.json'), JSON.stringify({
+        reports: [],
+        actionedReports: [approved('r1', 10), approved('r2', 20), revoked]
+    }));
+    // r2 was deleted by hand, r3 was never taken out, and someone added user 42 themselves
+    editGitHubFile(path.join(dir, 'github.json'), {
+        banned_users: [
+            entry('r1', 10),
+            entry('r3', 30),
+            { target_id: '42', reason: 'Known scammer', section: 'warned_users', revision: 999 }
+        ]
+    });
+
+    server = await startServer({
+        dir,
+        github: true,
+        env: { MODERATORS: moderatorsEnv([{ username: 'alice', role: 'admin' }]) }
+    });
+    token = await login(server, 'alice');
+});
+
+after(() => server.stop());
+
+async function drift() {
+    const { body } = await server.request('GET', '/api/reconciliation', { token });
+    return body.checkedAt && body.drift;
+}
+
+function resolve(item, resolution) {
+    return server.request('POST', `/api/reconciliation/${item.id}`, { token, body: { resolution } });
+}
+
+test('the startup check lists what GitHub and the server disagree on', async () => {
+    const items = await waitFor(drift);
+    assert.deepStrictEqual(items.map(item => [item.kind, item.targetId]).sort(), [['manual', 42], ['missing', 20], ['stale', 30]]);
+});
+
+test('commits to GitHub are held while it lists entries the server does not', async () => {
+    const { body: { report_id: reportId } } = await server.request('POST', '/report', { body: { target: 50, reporter: 2, context: 'spam', reason: 'spam' } });
+    heldReportId = reportId;
+    const response = await server.request('POST', '/api/action', { token, body: { reportId, action: 'approved', reason: 'Spam' } });
+    assert.strictEqual(response.status, 200);
+
+    const sync = await waitFor(async () => {
+        const { body: { items } } = await server.request('GET', '/api/reports?scope=actioned', { token });
+        const report = items.find(item => item.id === reportId);
+        return report.sync.status === 'failed' && report.sync;
+    });
+    assert.match(sync.error, /GitHub Reconciliation/);
+    assert.strictEqual(commits(server.githubFile).length, 0);
+    assert.deepStrictEqual(readGitHubFile(server.githubFile).banned_users.map(entry => entry.report_id), ['r1', 'r3', undefined]);
+});
+
+test('a difference that is gone from GitHub is not resolved', async () => {
+    const file = readGitHubFile(server.githubFile);
+    file.banned_users.push(entry('r2', 20));
+    editGitHubFile(server.githubFile, file);
+
+    const missing = (await drift()).find(item => item.kind === 'missing' && item.targetId === 20);
+    const response = await resolve(missing, 'adopt');
+    assert.strictEqual(response.status, 409);
+
+    const { body: { items } } = await server.request('GET', '/api/reports?scope=actioned', { token });
+    assert.strictEqual(items.find(item => item.id === 'r2').status, 'approved');
+    assert.strictEqual((await drift()).some(item => item.targetId === 20), false);
+});
+
+test('an entry added by hand is adopted without a made-up report ID, and only with known fields', async () => {
+    const manual = (await drift()).find(item => item.kind === 'manual');
+    const response = await resolve(manual, 'adopt');
+    assert.strictEqual(response.status, 200);
+
+    const { body } = await server.request('GET', '/api/banlist/42');
+    assert.strictEqual(body.listed, true);
+    assert.deepStrictEqual(body.entries, [{ section: 'banned_users', target_id: 42, reason: 'Known scammer', report_id: null }]);
+});
+
+test('fixing the last difference publishes the server list again', async () => {
+    const stale = (await drift()).find(item => item.kind === 'stale');
+    const response = await resolve(stale, 'fix');
+    assert.strictEqual(response.status, 200);
+
+    const file = await waitFor(() => commits(server.githubFile).length > 0 && readGitHubFile(server.githubFile));
+    const listed = file.banned_users.map(entry => [entry.report_id, entry.target_id]).sort((a, b) => a[1] - b[1]);
+    assert.deepStrictEqual(listed, [['r1', 10], ['r2', 20], [null, 42], [heldReportId, 50]]);
+
+    const check = await server.request('POST', '/api/reconciliation', { token });
+    assert.deepStrictEqual(check.body.drift, []);
+});
@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, moderatorsEnv, login } = require('./helpers/server');
+
+let server;
+const tokens = {};
+
+before(async () => {
+    server = await startServer({ env: { MODERATORS: moderatorsEnv([{ username: 'alice', role: 'admin' }, 'bob']) } });
+    tokens.alice = await login(server, 'alice');
+    tokens.bob = await login(server, 'bob');
+});
+
+after(() => server.stop());
+
+function submit(reporter, secret) {
+    return server.request('POST', '/report', {
+        body: { target: 60, reporter, context: 'spam', reason: 'spam' },
+        headers: secret ? { 'X-Reporter-Secret': secret } : {}
+    });
+}
+
+function listOwn(reporter, secret) {
+    return server.request('GET', `/reporter/${reporter}/reports`, { headers: { 'X-Reporter-Secret': secret } });
+}
+
+function storedSecrets(reporter, dir = server.dir) {
+    const data = JSON.parse(fs.readFileSync(path.join(dir, 'data', 'reports.json'), 'utf8'));
+    return data.reporters.find(record => record.id === reporter).secrets;
+}
+
+test('the public status of a report names no moderator', async () => {
+    const { body: { report_id } } = await submit(7);
+    await server.request('POST', '/api/action', { token: tokens.bob, body: { reportId: report_id, action: 'denied', reason: 'Spam' } });
+
+    const { status, body } = await server.request('GET', `/report/${report_id}/status`);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.status, 'denied');
+    assert.ok(!JSON.stringify(body).includes('bob'));
+    assert.strictEqual((await server.request('GET', '/report/nope/status')).status, 404);
+});
+
+test('a secret lists only the reports submitted with it', async () => {
+    const first = await submit(8);
+    assert.match(first.body.reporter_secret, /^[0-9a-f]{48}$/);
+    const second = await submit(8, first.body.reporter_secret);
+    assert.strictEqual(second.body.reporter_secret, undefined);
+
+    // Someone else submitting under the same reporter ID gets a secret of their own
+    const other = await submit(8);
+    assert.notStrictEqual(other.body.reporter_secret, first.body.reporter_secret);
+
+    const own = await listOwn(8, first.body.reporter_secret);
+    assert.strictEqual(own.status, 200);
+    assert.deepStrictEqual(own.body.reports.map(report => report.report_id).sort(), [first.body.report_id, second.body.report_id].sort());
+    assert.deepStrictEqual((await listOwn(8, other.body.reporter_secret)).body.reports.map(report => report.report_id), [other.body.report_id]);
+    assert.strictEqual((await listOwn(8, 'wrong')).status, 401);
+    assert.strictEqual((await listOwn(9, first.body.reporter_secret)).status, 401);
+});
+
+test('an admin reset replaces every secret with one covering all reports', async () => {
+    assert.strictEqual((await server.request('POST', '/api/reporters/8/secret', { token: tokens.bob })).status, 403);
+
+    const reset = await server.request('POST', '/api/reporters/8/secret', { token: tokens.alice });
+    assert.strictEqual(reset.status, 200);
+    assert.strictEqual(storedSecrets(8).length, 1);
+    assert.strictEqual((await listOwn(8, reset.body.reporter_secret)).body.reports.length, 3);
+});
+
+test('a reporter keeps at most 20 secrets, dropping the oldest', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brpreports-test-'));
+    const secrets = Array.from({ length: 20 }, (_, index) => ({ hash: String(index).padStart(64, '0'), reportIds: [], createdAt: new Date().toISOString() }));
+    fs.mkdirSync(path.join(dir, 'data'));
+    fs.writeFileSync(path.join(dir, 'data', 'reports.json'), JSON.stringify({ reports: [], actionedReports: [], reporters: [{ id: 9, secrets }] }));
+
+    const capped = await startServer({ dir });
+    try {
+        const response = await capped.request('POST', '/report', { body: { target: 61, reporter: 9, context: 'spam', reason: 'spam' } });
+        assert.ok(response.body.reporter_secret);
+        const stored = storedSecrets(9, dir);
+        assert.strictEqual(stored.length, 20);
+        assert.strictEqual(stored[0].hash, secrets[1].hash);
+        assert.deepStrictEqual(stored[19].reportIds, [response.body.report_id]);
+    } finally {
+        await capped.stop();
+    }
+});
@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, moderatorsEnv, login } = require('./helpers/server');
+
+let server;
+let token;
+
+before(async () => {
+    server = await startServer({ env: { MODERATORS: moderatorsEnv(['bob']) } });
+    token = await login(server, 'bob');
+    const contexts = ['sold a fake limited', 'spam in trades', 'begging', 'another fake trade', 'spam again'];
+    for (const [index, context] of contexts.entries()) {
+        await server.request('POST', '/report', { body: { target: 100 + index, reporter: index % 2 ? 2 : 1, context, reason: 'spam' } });
+    }
+});
+
+after(() => server.stop());
+
+async function list(query) {
+    const response = await server.request('GET', `/api/reports?${new URLSearchParams(query)}`, { token });
+    assert.strictEqual(response.status, 200, JSON.stringify(response.body));
+    return response.body;
+}
+
+test('reports are paged with the offset of the next page', async () => {
+    const first = await list({ limit: 2, sort: 'target', order: 'asc' });
+    assert.deepStrictEqual(first.items.map(report => report.target), [100, 101]);
+    assert.strictEqual(first.total, 5);
+    assert.strictEqual(first.nextOffset, 2);
+
+    const last = await list({ limit: 2, offset: 4, sort: 'target', order: 'asc' });
+    assert.deepStrictEqual(last.items.map(report => report.target), [104]);
+    assert.strictEqual(last.nextOffset, null);
+});
+
+test('limits are capped at 200 per page', async () => {
+    assert.strictEqual((await list({ limit: 10000 })).limit, 200);
+});
+
+test('filters and free-text search narrow the results', async () => {
+    assert.deepStrictEqual((await list({ reporter: 2 })).items.map(report => report.target).sort(), [101, 103]);
+    assert.deepStrictEqual((await list({ q: 'FAKE' })).items.map(report => report.target).sort(), [100, 103]);
+    assert.strictEqual((await list({ scope: 'actioned' })).total, 0);
+});
+
+test('stats count every report regardless of filters', async () => {
+    const { stats } = await list({ target: 100 });
+    assert.strictEqual(stats.pending, 5);
+    assert.strictEqual(stats.total, 5);
+});
+
+test('invalid queries are rejected', async () => {
+    for (const query of [{ scope: 'everything' }, { sort: 'ip' }, { from: 'yesterday' }, { target: 'abc' }]) {
+        const response = await server.request('GET', `/api/reports?${new URLSearchParams(query)}`, { token });
+        assert.strictEqual(response.status, 400, JSON.stringify(query));
+    }
+});
@@ -0,0 +1,56 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, moderatorsEnv, login, waitFor } = require('./helpers/server');
+const { readGitHubFile, commits } = require('./helpers/fake-octokit');
+
+let server;
+const tokens = {};
+
+before(async () => {
+    server = await startServer({
+        github: true,
+        env: { MODERATORS: moderatorsEnv([{ username: 'alice', role: 'admin' }, 'bob']) }
+    });
+    tokens.alice = await login(server, 'alice');
+    tokens.bob = await login(server, 'bob');
+});
+
+after(() => server.stop());
+
+async function actionedReport(action, target) {
+    const { body: { report_id: reportId } } = await server.request('POST', '/report', { body: { target, reporter: 2, context: 'scam', reason: 'scam', fields: { coinSymbol: 'RUG' } } });
+    const response = await server.request('POST', '/api/action', { token: tokens.bob, body: { reportId, action, reason: 'Spam' } });
+    assert.strictEqual(response.status, 200);
+    return reportId;
+}
+
+test('approving publishes an entry without naming the moderator', async () => {
+    const reportId = await actionedReport('approved', 10);
+    const [entry] = await waitFor(() => readGitHubFile(server.githubFile)?.banned_users);
+    assert.strictEqual(entry.report_id, reportId);
+    assert.strictEqual(entry.target_id, 10);
+    assert.strictEqual('actioned_by' in entry, false);
+});
+
+test('revoking removes the entry and records why', async () => {
+    const reportId = await actionedReport('approved', 11);
+    const response = await server.request('POST', '/api/revoke', { token: tokens.alice, body: { reportId, reason: 'Wrong user' } });
+    assert.strictEqual(response.status, 200);
+
+    await waitFor(() => commits(server.githubFile).some(commit => commit.message.includes(`Report ${reportId} revoked`)));
+    assert.ok(!readGitHubFile(server.githubFile).banned_users.some(entry => entry.report_id === reportId));
+    const { body: { items } } = await server.request('GET', '/api/reports?scope=actioned', { token: tokens.alice });
+    const report = items.find(r => r.id === reportId);
+    assert.strictEqual(report.status, 'revoked');
+    assert.strictEqual(report.revokeReason, 'Wrong user');
+    assert.strictEqual(report.revokedBy.username, 'alice');
+});
+
+test('only admins revoke, only approvals, and only with a reason', async () => {
+    const approved = await actionedReport('approved', 12);
+    const denied = await actionedReport('denied', 13);
+
+    assert.strictEqual((await server.request('POST', '/api/revoke', { token: tokens.bob, body: { reportId: approved, reason: 'x' } })).status, 403);
+    assert.strictEqual((await server.request('POST', '/api/revoke', { token: tokens.alice, body: { reportId: approved, reason: ' ' } })).status, 400);
+    assert.strictEqual((await server.request('POST', '/api/revoke', { token: tokens.alice, body: { reportId: denied, reason: 'x' } })).status, 409);
+});
@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, moderatorsEnv, login } = require('./helpers/server');
+
+let server;
+const tokens = {};
+
+before(async () => {
+    server = await startServer({
+        env: {
+            MODERATORS: moderatorsEnv([
+                { username: 'alice', role: 'admin' },
+                { username: 'bob', role: 'moderator' },
+                { username: 'vera', role: 'viewer' }
+            ])
+        }
+    });
+    for (const username of ['alice', 'bob', 'vera']) {
+        tokens[username] = await login(server, username);
+    }
+    await server.request('POST', '/report', { body: { target: 1, reporter: 2, context: 'spam', reason: 'spam' } });
+});
+
+after(() => server.stop());
+
+test('viewers can read reports but not action them', async () => {
+    const { body: { items: [report] } } = await server.request('GET', '/api/reports?scope=pending', { token: tokens.vera });
+    const response = await server.request('POST', '/api/action', { token: tokens.vera, body: { reportId: report.id, action: 'denied', reason: 'Spam' } });
+    assert.strictEqual(response.status, 403);
+});
+
+test('only moderators and admins see the reporter IP address', async () => {
+    const asViewer = await server.request('GET', '/api/reports?scope=pending', { token: tokens.vera });
+    assert.strictEqual(asViewer.body.items[0].ip, undefined);
+
+    const asModerator = await server.request('GET', '/api/reports?scope=pending', { token: tokens.bob });
+    assert.ok(asModerator.body.items[0].ip);
+});
+
+test('only admins manage accounts', async () => {
+    const denied = await server.request('POST', '/api/moderators', { token: tokens.bob, body: { username: 'carol', password: 'pw' } });
+    assert.strictEqual(denied.status, 403);
+
+    const created = await server.request('POST', '/api/moderators', { token: tokens.alice, body: { username: 'Carol', password: 'pw', role: 'viewer' } });
+    assert.strictEqual(created.status, 201);
+    assert.deepStrictEqual(created.body.moderator, { username: 'carol', displayName: 'carol', role: 'viewer', enabled: true });
+    assert.ok(await login(server, 'carol', 'pw'));
+});
+
+test('account fields are type-checked', async () => {
+    const cases = [
+        ['POST', '/api/moderators', { username: ['dave'], password: 'pw' }],
+        ['POST', '/api/moderators', { username: 'dave', password: 'pw', displayName: 42 }],
+        ['PATCH', '/api/moderators/bob', { password: 123 }],
+        ['PATCH', '/api/moderators/bob', { enabled: 'no' }],
+        ['PATCH', '/api/moderators/bob', { role: 'owner' }]
+    ];
+    for (const [method, route, body] of cases) {
+        const response = await server.request(method, route, { token: tokens.alice, body });
+        assert.strictEqual(response.status, 400, `${method} ${route} ${JSON.stringify(body)}`);
+    }
+});
+
+test('resetting a password signs the account out', async () => {
+    const bobToken = await login(server, 'bob');
+    const reset = await server.request('PATCH', '/api/moderators/bob', { token: tokens.alice, body: { password: 'new password' } });
+    assert.strictEqual(reset.status, 200);
+
+    assert.strictEqual((await server.request('GET', '/api/session', { token: bobToken })).status, 401);
+    assert.strictEqual((await server.request('GET', '/api/session', { token: tokens.alice })).status, 200);
+});
+
+test('disabling an account ends its sessions', async () => {
+    const veraToken = await login(server, 'vera');
+    await server.request('PATCH', '/api/moderators/vera', { token: tokens.alice, body: { enabled: false } });
+    assert.strictEqual((await server.request('GET', '/api/session', { token: veraToken })).status, 401);
+});
+
+test('admins cannot lock themselves out', async () => {
+    const response = await server.request('PATCH', '/api/moderators/alice', { token: tokens.alice, body: { role: 'moderator' } });
+    assert.strictEqual(response.status, 400);
+});
+
+test('CORS allows every method the API uses', async () => {
+    const response = await server.request('OPTIONS', '/api/moderators/bob');
+    const methods = response.headers.get('access-control-allow-methods').split(', ');
+    for (const method of ['GET', 'POST', 'PUT', 'PATCH', 'DELETE']) {
+        assert.ok(methods.includes(method), method);
+    }
+});
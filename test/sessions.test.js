@@ -0,0 +1,66 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, moderatorsEnv, PASSWORD, wait } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+    server = await startServer({
+        env: {
+            MODERATORS: moderatorsEnv(['alice']),
+            SESSION_TTL_HOURS: String(1.5 / 3600) // 1.5 seconds
+        }
+    });
+});
+
+after(() => server.stop());
+
+function login(password = PASSWORD, username = 'alice') {
+    return server.request('POST', '/auth', { body: { username, password } });
+}
+
+test('/api routes need a session', async () => {
+    const response = await server.request('GET', '/api/reports');
+    assert.strictEqual(response.status, 401);
+});
+
+test('a wrong password or unknown account gets no session', async () => {
+    for (const response of [await login('wrong'), await login(PASSWORD, 'mallory')]) {
+        assert.strictEqual(response.status, 401);
+        assert.strictEqual(response.body.token, undefined);
+    }
+});
+
+test('logging in issues a token and a cookie that both work', async () => {
+    const response = await login();
+    assert.strictEqual(response.status, 200);
+    assert.match(response.body.token, /^[0-9a-f]{64}$/);
+    assert.ok(Date.parse(response.body.expiresAt) > Date.now());
+
+    const cookie = response.headers.get('set-cookie');
+    assert.match(cookie, /brp_session=[0-9a-f]{64}/);
+    assert.match(cookie, /HttpOnly/);
+
+    const withToken = await server.request('GET', '/api/session', { token: response.body.token });
+    assert.strictEqual(withToken.status, 200);
+    assert.strictEqual(withToken.body.moderator.username, 'alice');
+    const withCookie = await server.request('GET', '/api/reports', { headers: { Cookie: cookie.split(';')[0] } });
+    assert.strictEqual(withCookie.status, 200);
+});
+
+test('logging out ends the session', async () => {
+    const { body: { token } } = await login();
+    const logout = await server.request('POST', '/auth/logout', { token });
+    assert.strictEqual(logout.status, 200);
+
+    const response = await server.request('GET', '/api/reports', { token });
+    assert.strictEqual(response.status, 401);
+});
+
+test('sessions expire after SESSION_TTL_HOURS', async () => {
+    const { body: { token } } = await login();
+    assert.strictEqual((await server.request('GET', '/api/reports', { token })).status, 200);
+
+    await wait(1600);
+    assert.strictEqual((await server.request('GET', '/api/reports', { token })).status, 401);
+});
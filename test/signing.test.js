@@ -0,0 +1,96 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, moderatorsEnv, login, waitFor } = require('./helpers/server');
+const { readGitHubFile, editGitHubFile } = require('./helpers/fake-octokit');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function privateKeyPem() {
+    return crypto.generateKeyPairSync('ed25519').privateKey.export({ type: 'pkcs8', format: 'pem' });
+}
+
+const signingKeys = [
+    { id: 'old', privateKey: privateKeyPem(), validUntil: new Date(Date.now() - DAY).toISOString() },
+    { id: 'current', privateKey: privateKeyPem(), validFrom: new Date(Date.now() - DAY).toISOString() },
+    { id: 'next', privateKey: privateKeyPem(), validFrom: new Date(Date.now() + DAY).toISOString() }
+];
+
+let server;
+let token;
+
+before(async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brpreports-test-'));
+    // Someone added an entry to the GitHub file by hand
+    editGitHubFile(path.join(dir, 'github.json'), { banned_users: [{ target_id: 999, report_id: 'by-hand' }] });
+    server = await startServer({
+        dir,
+        github: true,
+        env: { MODERATORS: moderatorsEnv([{ username: 'bob', role: 'admin' }]), BANLIST_SIGNING_KEYS: JSON.stringify(signingKeys) }
+    });
+    token = await login(server, 'bob');
+});
+
+after(() => server.stop());
+
+// Written independently of the server: sorted keys, no whitespace
+function canonical(value) {
+    if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+async function publicKeys() {
+    const { body } = await server.request('GET', '/.well-known/brp-banlist-keys.json');
+    return body.keys;
+}
+
+async function verify(document) {
+    const { signature, ...signed } = document;
+    const jwk = (await publicKeys()).find(key => key.kid === document.key_id);
+    const key = crypto.createPublicKey({ key: { kty: jwk.kty, crv: jwk.crv, x: jwk.x }, format: 'jwk' });
+    return crypto.verify(null, Buffer.from(canonical(signed)), key, Buffer.from(signature, 'base64'));
+}
+
+test('every key until its validUntil is published, and the newest valid one signs', async () => {
+    const keys = await publicKeys();
+    assert.deepStrictEqual(keys.map(key => [key.kid, key.active]), [['current', true], ['next', false]]);
+    assert.ok(keys.every(key => key.alg === 'EdDSA' && key.crv === 'Ed25519' && !('d' in key)));
+});
+
+test('the GitHub file is the server list, signed, without entries added by hand', async () => {
+    // The entry added by hand holds commits to the file until it is dealt with (see reconciliation.test.js)
+    const [manual] = await waitFor(async () => {
+        const { body } = await server.request('GET', '/api/reconciliation', { token });
+        return body.checkedAt && body.drift;
+    });
+    const fixed = await server.request('POST', `/api/reconciliation/${manual.id}`, { token, body: { resolution: 'fix' } });
+    assert.strictEqual(fixed.status, 200);
+
+    const { body: { report_id: reportId } } = await server.request('POST', '/report', { body: { target: 700, reporter: 1, context: 'spam', reason: 'spam' } });
+    const approved = await server.request('POST', '/api/action', { token, body: { reportId, action: 'approved', reason: 'Spam' } });
+    assert.strictEqual(approved.status, 200);
+
+    const file = await waitFor(() => readGitHubFile(server.githubFile).banned_users.length > 0 && readGitHubFile(server.githubFile));
+    assert.strictEqual(file.key_id, 'current');
+    assert.ok(await verify(file));
+    assert.deepStrictEqual(file.banned_users.map(entry => entry.report_id), [reportId]);
+
+    file.banned_users.push({ target_id: 999, report_id: 'by-hand' });
+    assert.strictEqual(await verify(file), false);
+});
+
+test('ban list responses are signed too', async () => {
+    const full = await server.request('GET', '/api/banlist');
+    assert.strictEqual(full.body.key_id, 'current');
+    assert.ok(await verify(full.body));
+
+    const user = await server.request('GET', '/api/banlist/700');
+    assert.strictEqual(user.body.listed, true);
+    assert.ok(await verify(user.body));
+});
@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, moderatorsEnv, login } = require('./helpers/server');
+
+const env = { MODERATORS: moderatorsEnv([{ username: 'alice', role: 'admin' }, 'bob']) };
+let server;
+const tokens = {};
+
+before(async () => {
+    server = await startServer({ env });
+    tokens.alice = await login(server, 'alice');
+    tokens.bob = await login(server, 'bob');
+});
+
+after(() => server.stop());
+
+function contextRule(pattern, id = 'pattern') {
+    return { id, name: `Context matches ${pattern}`, conditions: [{ field: 'context', op: 'matches', value: pattern }], action: 'tag', tag: 'matched' };
+}
+
+function putRules(rules, token = tokens.alice) {
+    return server.request('PUT', '/api/rules', { token, body: { rules } });
+}
+
+function dryRun(body = {}, token = tokens.alice) {
+    return server.request('POST', '/api/rules/dry-run', { token, body });
+}
+
+test('a reporter reporting themselves is dismissed by the default rules', async () => {
+    const { body: { report_id } } = await server.request('POST', '/report', { body: { target: 90, reporter: 90, context: 'me', reason: 'spam' } });
+    const { body: { items: [report] } } = await server.request('GET', '/api/reports?target=90', { token: tokens.bob });
+    assert.strictEqual(report.id, report_id);
+    assert.strictEqual(report.status, 'denied');
+    assert.deepStrictEqual(report.triage.rules.map(rule => rule.id), ['self-report']);
+});
+
+test('patterns that can backtrack for ages are refused', async () => {
+    for (const pattern of ['.*.*.*.*x', '\\s*\\s*\\s*\\s*$', 'a+a+a+a+b', '(a+)+$', '(a|aa)*b', '(\\w)\\1', '.*(.*)x', '\\d+\\w+', 'x'.repeat(201)]) {
+        const response = await putRules([contextRule(pattern)]);
+        assert.strictEqual(response.status, 400, pattern);
+        assert.match(response.body.error, /not allowed/);
+    }
+});
+
+test('ordinary patterns are accepted', async () => {
+    for (const pattern of ['free\\s+robux', '^\\s*$', '.*scam', 'rug(ged|pull)?', '\\d+\\s*coins', '[a-z]+\\d+', 'a.*b', '(?=.*fake)']) {
+        const response = await putRules([contextRule(pattern)]);
+        assert.strictEqual(response.status, 200, `${pattern}: ${JSON.stringify(response.body)}`);
+    }
+});
+
+test('rule fields must be real fields and regexes strings', async () => {
+    const inherited = { id: 'proto', name: 'Proto', conditions: [{ field: '__proto__', op: 'equals', value: 1 }], action: 'deny' };
+    const notString = { id: 'number', name: 'Number', conditions: [{ field: 'context', op: 'matches', value: 5 }], action: 'deny' };
+    for (const rule of [inherited, notString]) {
+        assert.strictEqual((await putRules([rule])).status, 400, rule.id);
+    }
+});
+
+test('only admins change rules or dry-run them', async () => {
+    assert.strictEqual((await putRules([contextRule('x')], tokens.bob)).status, 403);
+    assert.strictEqual((await dryRun({}, tokens.bob)).status, 403);
+});
+
+test('a pattern that still runs too long counts as no match, and fails a dry run', async () => {
+    // Passes the checks above, but needs far more than RULE_MATCH_TIMEOUT_MS on a long run of "a"
+    assert.strictEqual((await putRules([contextRule('.*a.*a.*a.*a.*x', 'slow')])).status, 200);
+
+    const submitted = await server.request('POST', '/report', { body: { target: 91, reporter: 1, context: 'a'.repeat(5000), reason: 'spam' } });
+    assert.strictEqual(submitted.status, 201);
+    assert.match(server.output(), /Rule "slow" took longer than/);
+
+    const response = await dryRun();
+    assert.strictEqual(response.status, 400);
+    assert.match(response.body.error, /Rule "slow"/);
+});
+
+test('a dry run judges each report without its own effect on the reporter\'s trust', async () => {
+    const rules = [{ id: 'new-reporter', name: 'First report', conditions: [{ field: 'reporter.reports', op: 'equals', value: 0 }], action: 'tag', tag: 'new' }];
+    const response = await dryRun({ rules, scope: 'all' });
+    assert.strictEqual(response.status, 200);
+    // Reporter 90 and reporter 1 each have one report, so both count as new when it is replayed
+    assert.deepStrictEqual(response.body.matches.map(match => match.reporter).sort(), [1, 90]);
+});
+
+test('saved rules that fail validation at startup are disabled, and the set can still be saved and dry-run', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brpreports-test-'));
+    fs.mkdirSync(path.join(dir, 'data'));
+    fs.writeFileSync(path.join(dir, 'data', 'reports.json'), JSON.stringify({
+        reports: [],
+        actionedReports: [],
+        rules: [contextRule('.*.*x', 'old-pattern'), contextRule('scam', 'fine')]
+    }));
+
+    const restarted = await startServer({ env, dir });
+    try {
+        const token = await login(restarted, 'alice');
+        assert.match(restarted.output(), /Disabling a saved rule: Rule "old-pattern"/);
+
+        const { body: { rules } } = await restarted.request('GET', '/api/rules', { token });
+        assert.deepStrictEqual(rules.map(rule => [rule.id, rule.enabled !== false]), [['old-pattern', false], ['fine', true]]);
+        assert.strictEqual((await restarted.request('POST', '/api/rules/dry-run', { token, body: {} })).status, 200);
+        assert.strictEqual((await restarted.request('PUT', '/api/rules', { token, body: { rules } })).status, 200);
+    } finally {
+        await restarted.stop();
+    }
+});
@@ -0,0 +1,67 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, moderatorsEnv, login } = require('./helpers/server');
+
+let server;
+const tokens = {};
+
+before(async () => {
+    server = await startServer({ env: { MODERATORS: moderatorsEnv([{ username: 'alice', role: 'admin' }, 'bob']) } });
+    tokens.alice = await login(server, 'alice');
+    tokens.bob = await login(server, 'bob');
+});
+
+after(() => server.stop());
+
+// The tests share /report's limit of five reports per IP address, in order
+function submit(target, reporter, secret) {
+    return server.request('POST', '/report', {
+        body: { target, reporter, context: 'spam', reason: 'spam' },
+        headers: secret ? { 'X-Reporter-Secret': secret } : {}
+    });
+}
+
+function setFlags(reporter, flags, token = tokens.alice) {
+    return server.request('PATCH', `/api/reporters/${reporter}`, { token, body: flags });
+}
+
+test('reports from muted reporters are accepted and dismissed straight away', async () => {
+    assert.strictEqual((await setFlags(70, { muted: true }, tokens.bob)).status, 403);
+    assert.strictEqual((await setFlags(70, { muted: true })).status, 200);
+
+    const response = await submit(80, 70);
+    assert.strictEqual(response.status, 201);
+    const { body: { items: [report] } } = await server.request('GET', '/api/reports?reporter=70', { token: tokens.bob });
+    assert.strictEqual(report.status, 'denied');
+    assert.strictEqual(report.autoDenied, true);
+});
+
+test('the trust score follows how many recent reports were upheld', async () => {
+    for (const target of [81, 82]) {
+        const { body: { report_id } } = await submit(target, 71);
+        await server.request('POST', '/api/action', { token: tokens.bob, body: { reportId: report_id, action: 'approved', reason: 'Spam' } });
+    }
+
+    const { body: { reporter } } = await server.request('GET', '/api/users/71', { token: tokens.bob });
+    assert.strictEqual(reporter.upheld, 2);
+    assert.strictEqual(reporter.score, 75);
+});
+
+test('trusted reporters get a higher limit only when they send their secret', async () => {
+    const first = await submit(83, 72);
+    assert.strictEqual((await setFlags(72, { trusted: true })).status, 200);
+
+    // These go past this IP address's limit of five reports
+    for (const target of [84, 85, 86]) {
+        assert.strictEqual((await submit(target, 72, first.body.reporter_secret)).status, 201);
+    }
+    assert.strictEqual((await submit(87, 72)).status, 429);
+    assert.strictEqual((await submit(87, 72, 'not-the-secret')).status, 429);
+});
+
+test('reporter flags are validated', async () => {
+    for (const flags of [{ trusted: 'yes' }, { trusted: true, muted: true }]) {
+        assert.strictEqual((await setFlags(73, flags)).status, 400, JSON.stringify(flags));
+    }
+    assert.strictEqual((await setFlags('abc', { muted: true })).status, 400);
+});
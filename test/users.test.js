@@ -0,0 +1,61 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, moderatorsEnv, login } = require('./helpers/server');
+
+let server;
+const tokens = {};
+
+before(async () => {
+    server = await startServer({
+        github: true,
+        env: { MODERATORS: moderatorsEnv(['bob', { username: 'vera', role: 'viewer' }]), REPEAT_OFFENDER_REPORTS: '2' }
+    });
+    tokens.bob = await login(server, 'bob');
+    tokens.vera = await login(server, 'vera');
+});
+
+after(() => server.stop());
+
+// /report takes five reports per IP address in its window, which these tests share
+async function submit(target, reporter) {
+    const response = await server.request('POST', '/report', { body: { target, reporter, context: 'spam', reason: 'spam' } });
+    return response.body.report_id;
+}
+
+test('a user profile covers reports as target and reporter, and live ban list entries', async () => {
+    const banned = await submit(20, 1);
+    await server.request('POST', '/api/action', { token: tokens.bob, body: { reportId: banned, action: 'approved', reason: 'Spam' } });
+    await submit(20, 2);
+    await submit(1, 20);
+
+    const { status, body } = await server.request('GET', '/api/users/20', { token: tokens.bob });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.asTarget.total, 2);
+    assert.strictEqual(body.asTarget.pending, 1);
+    assert.strictEqual(body.asTarget.outcomes.approved, 1);
+    assert.strictEqual(body.asReporter.total, 1);
+    assert.deepStrictEqual(body.banList.map(entry => [entry.section, entry.reportId]), [['banned_users', banned]]);
+    assert.strictEqual(body.repeatOffender, true);
+});
+
+test('pending reports are badged once a target reaches REPEAT_OFFENDER_REPORTS', async () => {
+    await submit(30, 1);
+    const list = async () => (await server.request('GET', '/api/reports?scope=pending&target=30', { token: tokens.bob })).body.items;
+    assert.strictEqual((await list())[0].targetHistory.repeatOffender, false);
+
+    await submit(30, 2);
+    assert.ok((await list()).every(report => report.targetHistory.repeatOffender));
+});
+
+test('viewers get profiles without reporter IP addresses', async () => {
+    const asViewer = await server.request('GET', '/api/users/20', { token: tokens.vera });
+    assert.ok(asViewer.body.asTarget.reports.length > 0);
+    assert.ok(asViewer.body.asTarget.reports.concat(asViewer.body.asReporter.reports).every(report => report.ip === undefined));
+
+    const asModerator = await server.request('GET', '/api/users/20', { token: tokens.bob });
+    assert.ok(asModerator.body.asTarget.reports.every(report => report.ip));
+});
+
+test('user IDs must be numbers', async () => {
+    assert.strictEqual((await server.request('GET', '/api/users/abc', { token: tokens.bob })).status, 400);
+});